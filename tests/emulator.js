@@ -0,0 +1,28 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+export const APP_ID = 'myhome-mind';
+
+export const householdPath = (householdId) => `artifacts/${APP_ID}/households/${householdId}`;
+
+// Each test file gets its own emulator project so files can run side by side
+export const setupEnvironment = (projectId) => initializeTestEnvironment({
+    projectId,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+});
+
+export const member = (role, extra = {}) => ({ role, name: null, email: null, joinedAt: 1, ...extra });
+
+// Writes a household with rules disabled; `members` maps uid to role
+export const seedHousehold = (env, householdId, members) => env.withSecurityRulesDisabled(context => {
+    const ownerId = Object.keys(members).find(uid => members[uid] === 'owner');
+    return setDoc(doc(context.firestore(), householdPath(householdId)), {
+        id: householdId,
+        name: 'Home',
+        ownerId,
+        memberIds: Object.keys(members),
+        members: Object.fromEntries(Object.entries(members).map(([uid, role]) => [uid, member(role)])),
+        createdAt: 1
+    });
+});
@@ -0,0 +1,185 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { arrayRemove, arrayUnion, deleteField, doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { APP_ID, householdPath, member, seedHousehold, setupEnvironment } from './emulator.js';
+
+const HOME = householdPath('home');
+
+let env;
+
+const db = (uid) => env.authenticatedContext(uid).firestore();
+
+const space = (id, fields = {}) => ({ id, name: 'Kitchen', order: 0, ...fields });
+const item = (id, fields = {}) => ({ id, spaceId: 'kitchen', name: 'Extractor hood', options: [], order: 0, ...fields });
+
+beforeAll(async () => {
+    env = await setupEnvironment('demo-myhome-rules');
+});
+
+afterAll(() => env?.cleanup());
+
+beforeEach(async () => {
+    await env.clearFirestore();
+    await seedHousehold(env, 'home', { alice: 'owner', erin: 'editor', vic: 'viewer' });
+    await seedHousehold(env, 'other', { bob: 'owner' });
+    await env.withSecurityRulesDisabled(async context => {
+        const firestore = context.firestore();
+        await setDoc(doc(firestore, HOME, 'spaces', 'kitchen'), space('kitchen'));
+        await setDoc(doc(firestore, HOME, 'items', 'hood'), item('hood'));
+        await setDoc(doc(firestore, `artifacts/${APP_ID}/users/alice/spaces/kitchen`), space('kitchen'));
+    });
+});
+
+describe('reads', () => {
+    it('lets members read their household and its data', async () => {
+        await assertSucceeds(getDoc(doc(db('vic'), HOME)));
+        await assertSucceeds(getDoc(doc(db('erin'), HOME, 'items', 'hood')));
+    });
+
+    it('denies reads across households', async () => {
+        await assertFails(getDoc(doc(db('bob'), HOME)));
+        await assertFails(getDoc(doc(db('bob'), HOME, 'spaces', 'kitchen')));
+        await assertFails(getDoc(doc(db('bob'), HOME, 'items', 'hood')));
+        await assertFails(getDoc(doc(db('bob'), HOME, 'personal', 'settings')));
+    });
+
+    it('denies reads of another user\'s legacy data', async () => {
+        await assertSucceeds(getDoc(doc(db('alice'), `artifacts/${APP_ID}/users/alice/spaces/kitchen`)));
+        await assertFails(getDoc(doc(db('bob'), `artifacts/${APP_ID}/users/alice/spaces/kitchen`)));
+    });
+
+    it('denies signed-out reads', async () => {
+        await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), HOME, 'spaces', 'kitchen')));
+    });
+});
+
+describe('document shapes', () => {
+    it('accepts well-formed spaces, items and settings', async () => {
+        await assertSucceeds(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('bath', { budget: 500 })));
+        await assertSucceeds(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { status: 'ordered', updatedAt: 2 })));
+        await assertSucceeds(setDoc(doc(db('erin'), HOME, 'personal', 'settings'), { currency: 'EUR', savedFilters: [], lastUpdated: 1 }));
+    });
+
+    it('rejects malformed spaces', async () => {
+        await assertFails(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('bath', { owner: 'erin' })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('bath', { name: 'x'.repeat(101) })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('kitchen')));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('bath', { order: 'first' })));
+    });
+
+    it('rejects malformed items', async () => {
+        await assertFails(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { status: 'lost' })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { secret: true })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { name: 'x'.repeat(201) })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { options: 'none' })));
+    });
+
+    it('rejects malformed settings', async () => {
+        await assertFails(setDoc(doc(db('erin'), HOME, 'personal', 'settings'), { theme: 'dark' }));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'personal', 'settings'), { currency: 'EURO' }));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'personal', 'settings'), { budget: 'a lot' }));
+    });
+
+    it('rejects oversized inline images', async () => {
+        const small = `data:image/png;base64,${'A'.repeat(1000)}`;
+        const large = `data:image/png;base64,${'A'.repeat(400001)}`;
+        await assertSucceeds(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('bath', { image: small })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('bath', { image: large })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { image: large })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'spaces', 'bath'), space('bath', { image: 'https://example.com/a.png' })));
+    });
+
+    it('checks the image of every option', async () => {
+        const stored = { path: 'images/a.jpg', url: 'https://example.com/a.jpg', thumbPath: 'images/a_thumb.jpg', thumbUrl: 'https://example.com/a_thumb.jpg' };
+        const options = Array.from({ length: 50 }, (_, i) => ({ id: `o${i}`, image: i % 2 ? stored : null }));
+        await assertSucceeds(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { options })));
+        options[49] = { id: 'o49', image: `data:image/png;base64,${'A'.repeat(1000)}` };
+        await assertFails(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { options })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'items', 'tap'), item('tap', { options: ['plain'] })));
+    });
+});
+
+describe('trash', () => {
+    const entry = (id, fields = {}) => ({ id, kind: 'item', record: item('hood'), deletedAt: 1, deletedBy: 'erin', ...fields });
+
+    it('accepts spaces and the items trashed with them', async () => {
+        await assertSucceeds(setDoc(doc(db('erin'), HOME, 'trash', 'kitchen'), entry('kitchen', { kind: 'space', record: space('kitchen') })));
+        await assertSucceeds(setDoc(doc(db('erin'), HOME, 'trash', 'hood'), entry('hood', { groupId: 'kitchen' })));
+    });
+
+    it('rejects unknown kinds and entries signed by someone else', async () => {
+        await assertFails(setDoc(doc(db('erin'), HOME, 'trash', 'hood'), entry('hood', { kind: 'household' })));
+        await assertFails(setDoc(doc(db('erin'), HOME, 'trash', 'hood'), entry('hood', { deletedBy: 'alice' })));
+        await assertFails(setDoc(doc(db('vic'), HOME, 'trash', 'hood'), entry('hood', { deletedBy: 'vic' })));
+    });
+});
+
+describe('roles', () => {
+    it('stops viewers from writing', async () => {
+        await assertFails(setDoc(doc(db('vic'), HOME, 'spaces', 'bath'), space('bath')));
+        await assertFails(updateDoc(doc(db('vic'), HOME, 'items', 'hood'), { name: 'Hob' }));
+        await assertFails(setDoc(doc(db('vic'), HOME, 'personal', 'settings'), { currency: 'EUR' }));
+        await assertFails(setDoc(doc(db('vic'), HOME, 'groceries', 'milk'), { id: 'milk', text: 'Milk' }));
+    });
+
+    it('stops outsiders from writing', async () => {
+        await assertFails(setDoc(doc(db('bob'), HOME, 'spaces', 'bath'), space('bath')));
+    });
+
+    it('lets the owner rename the home and change roles', async () => {
+        await assertSucceeds(updateDoc(doc(db('alice'), HOME), { name: 'Flat' }));
+        await assertSucceeds(updateDoc(doc(db('alice'), HOME), { 'members.vic.role': 'editor' }));
+    });
+
+    it('keeps everyone else from editing the household', async () => {
+        await assertFails(updateDoc(doc(db('erin'), HOME), { name: 'Flat' }));
+        await assertFails(updateDoc(doc(db('erin'), HOME), { 'members.erin.role': 'owner' }));
+        await assertFails(updateDoc(doc(db('alice'), HOME), { ownerId: 'erin' }));
+    });
+});
+
+describe('membership', () => {
+    const INVITES = `artifacts/${APP_ID}/invites`;
+
+    const seedInvite = (id, fields) => env.withSecurityRulesDisabled(context => setDoc(
+        doc(context.firestore(), INVITES, id),
+        { id, householdId: 'home', householdName: 'Home', role: 'editor', email: null, createdBy: 'alice', createdAt: 1, ...fields }
+    ));
+
+    const join = (uid, role, inviteId) => updateDoc(doc(db(uid), HOME), {
+        memberIds: arrayUnion(uid),
+        [`members.${uid}`]: member(role, { inviteId })
+    });
+
+    it('lets someone join with an invite for the household and role', async () => {
+        await seedInvite('link', {});
+        await assertSucceeds(join('carol', 'editor', 'link'));
+        await assertSucceeds(getDoc(doc(db('carol'), HOME, 'items', 'hood')));
+    });
+
+    it('rejects joining without a matching invite', async () => {
+        await seedInvite('viewer-link', { role: 'viewer' });
+        await seedInvite('elsewhere', { householdId: 'other' });
+        await assertFails(join('carol', 'editor', 'missing'));
+        await assertFails(join('carol', 'editor', 'viewer-link'));
+        await assertFails(join('carol', 'editor', 'elsewhere'));
+    });
+
+    it('holds email invites for their addressee', async () => {
+        await seedInvite('addressed', { email: 'dan@example.com' });
+        const carol = env.authenticatedContext('carol', { email: 'carol@example.com' }).firestore();
+        await assertFails(updateDoc(doc(carol, HOME), { memberIds: arrayUnion('carol'), 'members.carol': member('editor', { inviteId: 'addressed' }) }));
+        const dan = env.authenticatedContext('dan', { email: 'dan@example.com' }).firestore();
+        await assertSucceeds(updateDoc(doc(dan, HOME), { memberIds: arrayUnion('dan'), 'members.dan': member('editor', { inviteId: 'addressed' }) }));
+    });
+
+    it('lets members leave but not remove others', async () => {
+        await assertFails(updateDoc(doc(db('erin'), HOME), { memberIds: arrayRemove('vic'), 'members.vic': deleteField() }));
+        await assertSucceeds(updateDoc(doc(db('erin'), HOME), { memberIds: arrayRemove('erin'), 'members.erin': deleteField() }));
+        await assertFails(getDoc(doc(db('erin'), HOME, 'items', 'hood')));
+    });
+
+    it('keeps the owner from leaving their own household', async () => {
+        await assertFails(updateDoc(doc(db('alice'), HOME), { memberIds: arrayRemove('alice'), 'members.alice': deleteField() }));
+    });
+});
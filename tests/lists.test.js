@@ -0,0 +1,87 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { collection, doc, getDoc, getDocs, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { householdPath, seedHousehold, setupEnvironment } from './emulator.js';
+
+// Groceries and repairs are one document per entry, so two people editing at once can't overwrite each other
+const HOME = householdPath('home');
+
+let env;
+let alice;
+let erin;
+
+const grocery = (id, fields = {}) => ({ id, listId: 'main', text: id, completed: false, createdAt: 1, ...fields });
+
+// Mirrors `addListEntries`: new entries go out as a batch of document sets
+const addGroceries = (firestore, entries) => {
+    const batch = writeBatch(firestore);
+    entries.forEach(entry => batch.set(doc(firestore, HOME, 'groceries', entry.id), entry));
+    return batch.commit();
+};
+
+const groceryTexts = async (firestore) => (await getDocs(collection(firestore, HOME, 'groceries'))).docs.map(d => d.data().text).sort();
+
+beforeAll(async () => {
+    env = await setupEnvironment('demo-myhome-lists');
+});
+
+afterAll(() => env?.cleanup());
+
+beforeEach(async () => {
+    await env.clearFirestore();
+    await seedHousehold(env, 'home', { alice: 'owner', erin: 'editor' });
+    alice = env.authenticatedContext('alice').firestore();
+    erin = env.authenticatedContext('erin').firestore();
+});
+
+describe('simultaneous list edits from two clients', () => {
+    it('keeps entries both clients add at the same time', async () => {
+        await Promise.all([
+            addGroceries(alice, [grocery('milk'), grocery('eggs')]),
+            addGroceries(erin, [grocery('bread')])
+        ]);
+        expect(await groceryTexts(alice)).toEqual(['bread', 'eggs', 'milk']);
+        expect(await groceryTexts(erin)).toEqual(['bread', 'eggs', 'milk']);
+    });
+
+    it('keeps checks both clients make on different entries', async () => {
+        await addGroceries(alice, [grocery('milk'), grocery('eggs')]);
+        await Promise.all([
+            updateDoc(doc(alice, HOME, 'groceries', 'milk'), { completed: true }),
+            updateDoc(doc(erin, HOME, 'groceries', 'eggs'), { completed: true })
+        ]);
+        const done = (await getDocs(collection(alice, HOME, 'groceries'))).docs.filter(d => d.data().completed);
+        expect(done.map(d => d.id).sort()).toEqual(['eggs', 'milk']);
+    });
+
+    it('keeps a check that lands while the other client is adding', async () => {
+        await addGroceries(alice, [grocery('milk')]);
+        await Promise.all([
+            updateDoc(doc(alice, HOME, 'groceries', 'milk'), { completed: true }),
+            addGroceries(erin, [grocery('bread')])
+        ]);
+        expect((await getDoc(doc(erin, HOME, 'groceries', 'milk'))).data().completed).toBe(true);
+        expect(await groceryTexts(alice)).toEqual(['bread', 'milk']);
+    });
+
+    // The debounced text save writes only `text`, like `flushListEdit`, so it can't undo a check made meanwhile
+    it('keeps a check made while the other client is still typing into the same entry', async () => {
+        await addGroceries(alice, [grocery('milk')]);
+        await Promise.all([
+            updateDoc(doc(alice, HOME, 'groceries', 'milk'), { text: 'oat milk' }),
+            updateDoc(doc(erin, HOME, 'groceries', 'milk'), { completed: true })
+        ]);
+        expect((await getDoc(doc(alice, HOME, 'groceries', 'milk'))).data()).toMatchObject({ text: 'oat milk', completed: true });
+    });
+
+    it('keeps repairs both clients add and complete', async () => {
+        const repair = (id, fields = {}) => ({ id, text: id, completed: false, priority: 'normal', createdAt: 1, ...fields });
+        await setDoc(doc(alice, HOME, 'repairs', 'gutter'), repair('gutter'));
+        await Promise.all([
+            setDoc(doc(alice, HOME, 'repairs', 'tap'), repair('tap')),
+            updateDoc(doc(erin, HOME, 'repairs', 'gutter'), { completed: true, completedAt: 2 })
+        ]);
+        const repairs = (await getDocs(collection(alice, HOME, 'repairs'))).docs.map(d => d.data());
+        expect(repairs.map(r => r.id).sort()).toEqual(['gutter', 'tap']);
+        expect(repairs.find(r => r.id === 'gutter').completed).toBe(true);
+    });
+});